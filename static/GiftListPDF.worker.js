@@ -0,0 +1,41 @@
+/**
+ * GiftRegistryPDF 的 Web Worker 包装：在后台线程排版并合并大礼簿，避免阻塞录入
+ *
+ * 主线程 -> Worker
+ *   { type: 'check', options, records }            检查缺字，返回 { type: 'coverage', result }
+ *   { type: 'generate', options, records, partSize } 生成 PDF，过程中返回 { type: 'progress', done, total }，
+ *                                                    完成后返回 { type: 'done', bytes }（bytes 以 transfer 方式传回）
+ * 出错时返回 { type: 'error', message }；取消由主线程直接 terminate()
+ * options 中的 URL 需为绝对地址（Worker 内相对路径以本文件所在目录为基准）
+ */
+importScripts('./pdf-lib.min.js', './fontkit.umd.min.js', './GiftListPDFGenerator.js');
+
+let generator = null;
+
+// 同一任务先 check 再 generate，复用已加载的字体与图片
+const getGenerator = (options) => {
+    if (!generator) generator = new GiftRegistryPDF(options);
+    return generator;
+};
+
+self.onmessage = async ({ data: message }) => {
+    try {
+        switch (message.type) {
+            case 'check': {
+                const result = await getGenerator(message.options).checkGlyphCoverage(message.records);
+                self.postMessage({ type: 'coverage', result });
+                break;
+            }
+            case 'generate': {
+                const bytes = await getGenerator(message.options).generateMerged(message.records, {
+                    partSize: message.partSize,
+                    onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+                });
+                self.postMessage({ type: 'done', bytes }, [bytes.buffer]);
+                break;
+            }
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error?.message || String(error) });
+    }
+};
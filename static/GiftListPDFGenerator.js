@@ -3,6 +3,25 @@
  * 仅优化了配置解析和样式管理，核心绘图和布局逻辑保持原样，确保 PDF 输出完全一致。
  */
 class GiftRegistryPDF {
+    /**
+     * 纸张尺寸（pt，短边在前）与对应毫米数，供浏览器打印设置 @page
+     */
+    static PAPER_SIZES = {
+        A4: { label: 'A4', size: [595.28, 841.89], mm: [210, 297] },
+        A5: { label: 'A5', size: [419.53, 595.28], mm: [148, 210] }
+    };
+
+    /**
+     * 礼簿正文版式，通过 registerLayout() 注册
+     * { label, orientation, defaultItemsPerPage, minItemsPerPage, maxItemsPerPage, drawPage(generator, page, fonts, items, context) }
+     * context 为 { area: { x, y, width, height }, startNumber }，背景与页脚不在 drawPage 内绘制
+     */
+    static LAYOUTS = {};
+
+    static registerLayout(key, layout) {
+        GiftRegistryPDF.LAYOUTS[key] = { key, ...layout };
+    }
+
     /**
      * 创建一个 PDF 生成器实例。
      */
@@ -15,6 +34,8 @@ class GiftRegistryPDF {
             mainFontUrl: "./static/MaShanZheng-Regular.ttf",
             giftLabelFontUrl: "./static/SourceHanSerifCN-Heavy.ttf",
             formalFontUrl: './static/NotoSansSCMedium-mini.ttf',
+            // 备用字体：主字体缺字时逐字回退，依次为 formalFont 与此处列出的字体
+            fallbackFontUrls: [],
             itemsPerPage: 12
         };
         
@@ -25,7 +46,7 @@ class GiftRegistryPDF {
         this.options.coverFontUrl = this.options.coverFontUrl || this.options.formalFontUrl;
 
         this.pdfLib = PDFLib;
-        this.pageSize = [841.89, 595.28]; // A4 横向
+        this._applyPageConfig();
         
         // 边距定义
         this.mainPageMargins = { top: 28, bottom: 35, left: 30, right: 30 };
@@ -35,15 +56,36 @@ class GiftRegistryPDF {
         // 资源状态
         this.resources = {
             fontBytes: null, amountFontBytes: null, formalFontBytes: null,
-            giftLabelFontBytes: null, coverFontBytes: null,
+            giftLabelFontBytes: null, coverFontBytes: null, fallbackFontBytes: [],
             bgImageBytes: null, coverImageBytes: null, backCoverImageBytes: null,
             loaded: false
         };
 
+        // 当前文档的备用字体（已嵌入）与各字体支持的字符集缓存
+        this.fallbackFonts = [];
+        this._charSets = new Map();
+
         this._applyStyleConfig();
     }
 
 
+    /**
+     * 根据纸张、方向与版式计算页面尺寸；未指定方向时使用版式的默认方向
+     */
+    _applyPageConfig() {
+        const paper = GiftRegistryPDF.PAPER_SIZES[this.options.paperSize] || GiftRegistryPDF.PAPER_SIZES.A4;
+        const orientation = this.options.orientation || this.getLayout().orientation;
+        const [shortSide, longSide] = paper.size;
+        this.pageSize = orientation === 'portrait' ? [shortSide, longSide] : [longSide, shortSide];
+    }
+
+    /**
+     * 当前版式定义，未知版式按传统竖排处理
+     */
+    getLayout() {
+        return GiftRegistryPDF.LAYOUTS[this.options.layout] || GiftRegistryPDF.LAYOUTS.traditional;
+    }
+
     _applyStyleConfig() {
         const overrides = this.options.giftBookStyles || {};
 
@@ -132,6 +174,10 @@ class GiftRegistryPDF {
         const fetchResource = async (url) => {
             if (!url) return null;
             const response = await fetch(url);
+            if (!response.ok) {
+                console.warn(`资源加载失败: ${url}`);
+                return null;
+            }
             return new Uint8Array(await response.arrayBuffer());
         };
 
@@ -144,7 +190,7 @@ class GiftRegistryPDF {
             return fetchResource(input);
         };
 
-        const [fontBytes, bgImageBytes, giftLabelFontBytes, coverImageBytes, backCoverImageBytes, formalFontBytes, amountFontBytes, coverFontBytes] = await Promise.all([
+        const [fontBytes, bgImageBytes, giftLabelFontBytes, coverImageBytes, backCoverImageBytes, formalFontBytes, amountFontBytes, coverFontBytes, fallbackFontBytes] = await Promise.all([
             fetchResource(this.options.mainFontUrl),
             fetchResource(this.options.backgroundImage),
             fetchResource(this.options.giftLabelFontUrl),
@@ -152,25 +198,146 @@ class GiftRegistryPDF {
             loadImage(this.options.backCoverImage),
             fetchResource(this.options.formalFontUrl),
             fetchResource(this.options.amountFontUrl),
-            fetchResource(this.options.coverFontUrl)
+            fetchResource(this.options.coverFontUrl),
+            Promise.all((this.options.fallbackFontUrls || []).map(fetchResource))
         ]);
 
         this.resources = {
             fontBytes, bgImageBytes, giftLabelFontBytes, coverImageBytes,
             backCoverImageBytes, formalFontBytes, amountFontBytes, coverFontBytes,
+            fallbackFontBytes: fallbackFontBytes.filter(Boolean),
             loaded: true
         };
     }
 
+    // =================================================================
+    // 缺字检查与逐字回退
+    // =================================================================
+
+    /**
+     * 字体支持的字符集（码点 Set）。font 可以是 pdf-lib 的 PDFFont 或 fontkit 字体
+     */
+    _charSetOf(font) {
+        if (!this._charSets.has(font)) {
+            const codePoints = typeof font.getCharacterSet === 'function' ? font.getCharacterSet() : (font.characterSet || []);
+            this._charSets.set(font, new Set(codePoints));
+        }
+        return this._charSets.get(font);
+    }
+
+    _hasGlyph(font, char) {
+        return /\s/.test(char) || this._charSetOf(font).has(char.codePointAt(0));
+    }
+
+    /**
+     * 为单个字符选择字体：主字体缺字时依次尝试备用字体，都没有则仍用主字体（显示为空白）
+     */
+    _fontForChar(char, font) {
+        if (this._hasGlyph(font, char)) return font;
+        return this.fallbackFonts.find((fallback) => fallback !== font && this._hasGlyph(fallback, char)) || font;
+    }
+
+    /**
+     * 按所用字体把文本切成连续片段
+     * @returns {Array<{ text: string, font: Object }>}
+     */
+    _splitRuns(text, font) {
+        const runs = [];
+        for (const char of String(text)) {
+            const charFont = this._fontForChar(char, font);
+            const last = runs[runs.length - 1];
+            if (last && last.font === charFont) last.text += char;
+            else runs.push({ text: char, font: charFont });
+        }
+        return runs;
+    }
+
+    _textWidth(text, font, size) {
+        return this._splitRuns(text, font).reduce((sum, run) => sum + run.font.widthOfTextAtSize(run.text, size), 0);
+    }
+
+    /**
+     * 横排绘制文本，缺字部分换用备用字体
+     */
+    _drawRuns(page, text, font, { x, y, size, color }) {
+        let cursorX = x;
+        this._splitRuns(text, font).forEach((run) => {
+            page.drawText(run.text, { x: cursorX, y, size, font: run.font, color });
+            cursorX += run.font.widthOfTextAtSize(run.text, size);
+        });
+    }
+
+    /**
+     * 生成前检查字体覆盖：列出需要备用字体的姓名/备注，以及所有字体都无法显示的字符
+     * @param {Array<Object>} data - 与 generate() 相同的数据
+     * @returns {Promise<{ fallback: Array<{ name, field, chars }>, missing: Array<{ name, field, chars }> }>}
+     */
+    async checkGlyphCoverage(data) {
+        await this._loadResources();
+        const parse = (bytes) => {
+            if (!bytes) return null;
+            try {
+                const font = fontkit.create(bytes);
+                return font.fonts ? font.fonts[0] : font; // 字体集合（.ttc）取第一个
+            } catch (error) {
+                console.warn('字体解析失败:', error);
+                return null;
+            }
+        };
+        const formalFont = parse(this.resources.formalFontBytes);
+        const mainFont = parse(this.resources.fontBytes) || formalFont;
+        const fallbacks = [formalFont, ...this.resources.fallbackFontBytes.map(parse)].filter(Boolean);
+
+        const fallback = [];
+        const missing = [];
+        const inspected = new Set(); // 同名宾客只列一次
+        const inspect = (name, field, text, font) => {
+            if (!text || !font || inspected.has(`${field}|${text}`)) return;
+            inspected.add(`${field}|${text}`);
+            const fallbackChars = new Set();
+            const missingChars = new Set();
+            for (const char of String(text)) {
+                if (this._hasGlyph(font, char)) continue;
+                if (fallbacks.some((candidate) => candidate !== font && this._hasGlyph(candidate, char))) fallbackChars.add(char);
+                else missingChars.add(char);
+            }
+            if (fallbackChars.size) fallback.push({ name, field, chars: [...fallbackChars].join('') });
+            if (missingChars.size) missing.push({ name, field, chars: [...missingChars].join('') });
+        };
+        data.forEach((item) => {
+            inspect(item.name, '姓名', item.name, mainFont);
+            if (this.options.printAppendix !== false) inspect(item.name, '备注', item.remark, formalFont);
+            inspect(item.group, '分组', item.group, formalFont);
+        });
+        return { fallback, missing };
+    }
+
+    /**
+     * 嵌入备用字体；formalFont 始终作为第一备用
+     */
+    async _embedFallbackFonts(pdfDoc, formalFont) {
+        this._charSets = new Map();
+        const embedded = [];
+        for (const bytes of this.resources.fallbackFontBytes) {
+            try {
+                embedded.push(await pdfDoc.embedFont(bytes, { subset: true }));
+            } catch (error) {
+                console.warn('备用字体嵌入失败:', error);
+            }
+        }
+        this.fallbackFonts = [formalFont, ...embedded].filter(Boolean);
+    }
+
     _processData(data) {
         const validData = data.filter(item => !item.abolished);
         const grandTotal = validData.reduce((sum, item) => sum + item.amount, 0);
-        const remarks = data
-            .map((item, index) => ({
-                name: item.name,
-                remark: item.remark,
-                position: `第${Math.floor(index / this.options.itemsPerPage) + 1}页第${(index % this.options.itemsPerPage) + 1}人`
-            }))
+        const pages = this._paginate(validData);
+        const positions = new Map();
+        pages.forEach(({ start, end }, p) => {
+            validData.slice(start, end).forEach((item, i) => positions.set(item, `第${p + 1}页第${i + 1}人`));
+        });
+        const remarks = validData
+            .map((item) => ({ name: item.name, remark: item.remark, position: positions.get(item) }))
             .filter(r => r.remark && r.remark.trim());
 
         const summary = data.reduce((acc, item) => {
@@ -181,81 +348,249 @@ class GiftRegistryPDF {
             return acc;
         }, {});
 
+        // 分组小计（item.group 为分组名，side 为归属方），只有一个分组时不单独列出
+        const groupSummary = [];
+        const sideSummary = [];
+        const add = (list, name, item) => {
+            let entry = list.find((e) => e.name === name);
+            if (!entry) list.push((entry = { name, count: 0, total: 0 }));
+            entry.count++;
+            entry.total += item.amount;
+        };
+        validData.forEach((item) => {
+            if (item.group) add(groupSummary, item.group, item);
+            if (item.side) add(sideSummary, item.side, item);
+        });
+
         return {
             grandTotal,
             remarks,
             summary,
+            groupSummary: groupSummary.length > 1 ? groupSummary : [],
+            sideSummary,
             totalItems: data.length,
-            mainContentTotalPages: Math.ceil(data.length / this.options.itemsPerPage),
+            pages,
+            mainContentTotalPages: pages.length,
             validData
         };
     }
 
-    async _addGiftsPages(pdfDoc, fonts, { validData: data, mainContentTotalPages }) {
+    /**
+     * 正文分页。开启 groupSections 且记录分属多个分组时，每个分组另起一页，
+     * 页眉显示分组名，组内最后一页附分组小计；记录需已按分组排好序
+     * @returns {Array<{ start, end, group, groupColor, groupTotal }>} start/end 为 validData 中的下标
+     */
+    _paginate(data) {
+        const { itemsPerPage } = this.options;
+        const sections = [];
+        data.forEach((item, index) => {
+            const last = sections[sections.length - 1];
+            if (last && last.group === (item.group || null)) last.end = index + 1;
+            else sections.push({ start: index, end: index + 1, group: item.group || null, groupColor: item.groupColor });
+        });
+        if (!this.options.groupSections || sections.length < 2) {
+            sections.splice(0, sections.length, { start: 0, end: data.length, group: null });
+        }
+
+        return sections.flatMap(({ start, end, group, groupColor }) => {
+            const pageCount = Math.max(1, Math.ceil((end - start) / itemsPerPage));
+            const items = data.slice(start, end);
+            const groupTotal = group ? { count: items.length, amount: items.reduce((sum, item) => sum + item.amount, 0) } : null;
+            return Array.from({ length: pageCount }, (_, i) => ({
+                start: start + i * itemsPerPage,
+                end: Math.min(start + (i + 1) * itemsPerPage, end),
+                group, groupColor,
+                groupTotal: i === pageCount - 1 ? groupTotal : null
+            }));
+        });
+    }
+
+    /**
+     * 礼簿正文页。分段生成时 pageOffset 为本段之前的页数，pageCount 为本段页数
+     * 每页的正文由当前版式绘制，背景、分组页眉与页脚统一在此处理
+     */
+    async _addGiftsPages(pdfDoc, fonts, { validData: data, pages, pageOffset = 0, pageCount = pages.length, onPage = null }) {
         const [pageWidth, pageHeight] = this.pageSize;
         const margin = this.mainPageMargins;
-        
-        const tableWidth = pageWidth - margin.left - margin.right;
-        const tableHeight = pageHeight - margin.top - margin.bottom;
-        const colWidth = tableWidth / this.options.itemsPerPage;
-        const giftTitleHeight = tableHeight * 0.15;
-        const nameHeight = (tableHeight - giftTitleHeight) / 2;
-        const amountContainerHeight = nameHeight;
-        const numericAmountHeight = 25;
-        const chineseAmountHeight = amountContainerHeight - numericAmountHeight;
-        const nameStyle = this.styles.name;
-        const labelStyle = this.styles.label;
-        const amountStyle = this.styles.amount;
-        const numericColor = this.styles.pageInfo.baseColor;
+        const layout = this.getLayout();
+        const area = {
+            x: margin.left, y: margin.bottom,
+            width: pageWidth - margin.left - margin.right,
+            height: pageHeight - margin.top - margin.bottom
+        };
 
-        for (let p = 0; p < mainContentTotalPages; p++) {
+        for (let p = pageOffset; p < pageOffset + pageCount; p++) {
+            const { start, end, group, groupColor, groupTotal } = pages[p];
             const page = pdfDoc.addPage(this.pageSize);
             await this._drawImageOnPage(pdfDoc, page, this.resources.bgImageBytes);
-            page.drawRectangle({ x: margin.left, y: margin.bottom, width: tableWidth, height: tableHeight, borderColor: this.colors.red, borderWidth: 2 });
-            const line1Y = margin.bottom + amountContainerHeight;
-            const line2Y = line1Y + giftTitleHeight;
-            page.drawLine({ start: { x: margin.left, y: line1Y }, end: { x: pageWidth - margin.right, y: line1Y }, color: this.colors.red, thickness: 1 });
-            page.drawLine({ start: { x: margin.left, y: line2Y }, end: { x: pageWidth - margin.right, y: line2Y }, color: this.colors.red, thickness: 1 });
-
-            for (let i = 1; i < this.options.itemsPerPage; i++) {
-                const lineX = margin.left + i * colWidth;
-                page.drawLine({ start: { x: lineX, y: margin.bottom }, end: { x: lineX, y: pageHeight - margin.top }, color: this.colors.red, thickness: 1 });
-            }
 
-            const pageData = data.slice(p * this.options.itemsPerPage, (p + 1) * this.options.itemsPerPage);
-            pageData.forEach((item, i) => {
-                const colX = margin.left + i * colWidth;
-                const name = item.name.length === 2 ? item.name[0] + String.fromCharCode(0x3000) + item.name[1] : item.name;
-                this._drawText(page, name, fonts.mainFont, {
-                    x: colX, y: line2Y, cellWidth: colWidth, cellHeight: nameHeight,
-                    initialFontSize: nameStyle.fontSize, minFontSize: 8, color: nameStyle.color, isVertical: true
-                });
-                this._drawText(page, this.options.giftLabel, fonts.giftLabelFont, {
-                    x: colX, y: line1Y, cellWidth: colWidth, cellHeight: giftTitleHeight,
-                    initialFontSize: labelStyle.fontSize, minFontSize:8, color: labelStyle.color, isVertical: true
-                });
-                this._drawText(page, item.amountText, fonts.amountFont, {
-                    x: colX, y: margin.bottom + numericAmountHeight, cellWidth: colWidth, cellHeight: chineseAmountHeight,
-                    initialFontSize: amountStyle.fontSize, minFontSize: 8, color: amountStyle.color, isVertical: true
-                });
-                this._drawText(page, String.fromCharCode(0x00A5) + item.amount, fonts.formalFont, {
-                    x: colX, y: margin.bottom + 5, cellWidth: colWidth, cellHeight: numericAmountHeight,
-                    initialFontSize: 12, minFontSize: 6, color: numericColor, isVertical: false
+            const pageData = data.slice(start, end);
+            layout.drawPage(this, page, fonts, pageData, { area, startNumber: start + 1 });
+            if (group) {
+                const size = Math.min(13, margin.top * 0.5);
+                const width = this._textWidth(group, fonts.formalFont, size);
+                this._drawRuns(page, group, fonts.formalFont, {
+                    x: (pageWidth - width) / 2, y: pageHeight - margin.top + (margin.top - size) / 2,
+                    size, color: groupColor ? this._parseColor(groupColor) : this.colors.red
                 });
-            });
+            }
+
             const pageSubtotal = pageData.reduce((sum, item) => sum + item.amount, 0);
-            let pageInfo = `第 ${p + 1} 页 / 共 ${mainContentTotalPages} 页`;
+            let pageInfo = `第 ${p + 1} 页 / 共 ${pages.length} 页`;
             if (this.options.partIndex && this.options.totalParts) {
                 pageInfo += `( P${this.options.partIndex}/P${this.options.totalParts} )`;
             }
+            const subtotalText = `本页小计: ${this._formatRMB(pageSubtotal)}`;
             this._drawPageFooter(page, fonts.formalFont, {
                 left: `生成日期: ${new Date().toLocaleString('sv-SE')}`,
                 center: pageInfo,
-                right: `本页小计: ${this._formatRMB(pageSubtotal)}`
+                right: groupTotal ? `分组小计: ${this._formatRMB(groupTotal.amount)}（${groupTotal.count} 人）  ${subtotalText}` : subtotalText
+            });
+            onPage?.();
+        }
+    }
+
+    /**
+     * 传统竖排：每人一列，自上而下为姓名、贺礼标签、大写金额与小写金额
+     */
+    _drawTraditionalPage(page, fonts, items, { area }) {
+        const { itemsPerPage } = this.options;
+        const colWidth = area.width / itemsPerPage;
+        const giftTitleHeight = area.height * 0.15;
+        const nameHeight = (area.height - giftTitleHeight) / 2;
+        const amountContainerHeight = nameHeight;
+        const numericAmountHeight = 25;
+        const chineseAmountHeight = amountContainerHeight - numericAmountHeight;
+        const nameStyle = this.styles.name;
+        const labelStyle = this.styles.label;
+        const amountStyle = this.styles.amount;
+        const numericColor = this.styles.pageInfo.baseColor;
+        const right = area.x + area.width;
+        const top = area.y + area.height;
+
+        page.drawRectangle({ x: area.x, y: area.y, width: area.width, height: area.height, borderColor: this.colors.red, borderWidth: 2 });
+        const line1Y = area.y + amountContainerHeight;
+        const line2Y = line1Y + giftTitleHeight;
+        page.drawLine({ start: { x: area.x, y: line1Y }, end: { x: right, y: line1Y }, color: this.colors.red, thickness: 1 });
+        page.drawLine({ start: { x: area.x, y: line2Y }, end: { x: right, y: line2Y }, color: this.colors.red, thickness: 1 });
+
+        for (let i = 1; i < itemsPerPage; i++) {
+            const lineX = area.x + i * colWidth;
+            page.drawLine({ start: { x: lineX, y: area.y }, end: { x: lineX, y: top }, color: this.colors.red, thickness: 1 });
+        }
+
+        items.forEach((item, i) => {
+            const colX = area.x + i * colWidth;
+            const name = item.name.length === 2 ? item.name[0] + String.fromCharCode(0x3000) + item.name[1] : item.name;
+            this._drawText(page, name, fonts.mainFont, {
+                x: colX, y: line2Y, cellWidth: colWidth, cellHeight: nameHeight,
+                initialFontSize: nameStyle.fontSize, minFontSize: 8, color: nameStyle.color, isVertical: true
+            });
+            this._drawText(page, this.options.giftLabel, fonts.giftLabelFont, {
+                x: colX, y: line1Y, cellWidth: colWidth, cellHeight: giftTitleHeight,
+                initialFontSize: labelStyle.fontSize, minFontSize:8, color: labelStyle.color, isVertical: true
+            });
+            this._drawText(page, item.amountText, fonts.amountFont, {
+                x: colX, y: area.y + numericAmountHeight, cellWidth: colWidth, cellHeight: chineseAmountHeight,
+                initialFontSize: amountStyle.fontSize, minFontSize: 8, color: amountStyle.color, isVertical: true
+            });
+            this._drawText(page, String.fromCharCode(0x00A5) + item.amount, fonts.formalFont, {
+                x: colX, y: area.y + 5, cellWidth: colWidth, cellHeight: numericAmountHeight,
+                initialFontSize: 12, minFontSize: 6, color: numericColor, isVertical: false
+            });
+        });
+    }
+
+    /**
+     * 横排表格：groups 为每页并排的表格数（密集版式为 2），columns 为 { header, width, font, cell(item, number) }
+     */
+    _drawTablePage(page, fonts, items, { area, startNumber }, { groups, columns }) {
+        const rowsPerGroup = Math.ceil(this.options.itemsPerPage / groups);
+        const gap = groups > 1 ? 12 : 0;
+        const groupWidth = (area.width - gap * (groups - 1)) / groups;
+        const headerHeight = Math.min(28, area.height * 0.07);
+        const rowHeight = (area.height - headerHeight) / rowsPerGroup;
+        const fontSize = Math.max(6, Math.min(14, rowHeight * 0.55));
+        const totalWeight = columns.reduce((sum, { width }) => sum + width, 0);
+        const top = area.y + area.height;
+
+        for (let g = 0; g < groups; g++) {
+            const groupItems = items.slice(g * rowsPerGroup, (g + 1) * rowsPerGroup);
+            if (g > 0 && groupItems.length === 0) break;
+            const groupX = area.x + g * (groupWidth + gap);
+            const colWidths = columns.map(({ width }) => (width / totalWeight) * groupWidth);
+            const groupBottom = top - headerHeight - rowsPerGroup * rowHeight;
+
+            page.drawRectangle({ x: groupX, y: top - headerHeight, width: groupWidth, height: headerHeight, color: this.colors.lightPink });
+            let x = groupX;
+            columns.forEach(({ header }, c) => {
+                this._drawText(page, header, fonts.formalFont, {
+                    x, y: top - headerHeight, cellWidth: colWidths[c], cellHeight: headerHeight,
+                    initialFontSize: Math.min(12, headerHeight * 0.5), minFontSize: 6, color: this.colors.red, isVertical: false
+                });
+                x += colWidths[c];
+                if (c < columns.length - 1) page.drawLine({ start: { x, y: top }, end: { x, y: groupBottom }, color: this.colors.red, thickness: 0.6 });
+            });
+
+            for (let r = 0; r <= rowsPerGroup; r++) {
+                const lineY = top - headerHeight - r * rowHeight;
+                page.drawLine({ start: { x: groupX, y: lineY }, end: { x: groupX + groupWidth, y: lineY }, color: this.colors.red, thickness: r === 0 ? 1 : 0.4 });
+            }
+            page.drawRectangle({ x: groupX, y: groupBottom, width: groupWidth, height: top - groupBottom, borderColor: this.colors.red, borderWidth: 1.2 });
+
+            groupItems.forEach((item, r) => {
+                const rowY = top - headerHeight - (r + 1) * rowHeight;
+                let cellX = groupX;
+                columns.forEach((column, c) => {
+                    const font = fonts[column.font] || fonts.formalFont;
+                    const color = column.font === 'mainFont' ? this.styles.name.color : this.colors.black;
+                    this._drawText(page, column.cell(item, startNumber + g * rowsPerGroup + r), font, {
+                        x: cellX, y: rowY, cellWidth: colWidths[c], cellHeight: rowHeight,
+                        initialFontSize: column.font === 'mainFont' ? fontSize * 1.15 : fontSize, minFontSize: 5, color, isVertical: false
+                    });
+                    cellX += colWidths[c];
+                });
             });
         }
     }
 
+    /**
+     * 单人卡片/回执：每人一张带裁切虚线的卡片
+     */
+    _drawCardPage(page, fonts, items, { area, startNumber }) {
+        const perPage = this.options.itemsPerPage;
+        const isLandscape = area.width > area.height;
+        const cols = perPage === 1 ? 1 : perPage >= 6 && isLandscape ? 3 : 2;
+        const rows = Math.ceil(perPage / cols);
+        const gap = 10;
+        const cardWidth = (area.width - gap * (cols - 1)) / cols;
+        const cardHeight = (area.height - gap * (rows - 1)) / rows;
+        const unit = Math.min(cardWidth, cardHeight * 1.6) / 20; // 随卡片大小缩放字号
+        const black = this.colors.black;
+
+        items.forEach((item, i) => {
+            const x = area.x + (i % cols) * (cardWidth + gap);
+            const y = area.y + area.height - (Math.floor(i / cols) + 1) * cardHeight - Math.floor(i / cols) * gap;
+            page.drawRectangle({ x, y, width: cardWidth, height: cardHeight, borderColor: this.colors.red, borderWidth: 1, borderDashArray: [4, 3] });
+
+            const line = (text, font, size, color, centerRatio) => {
+                const height = size * 1.6;
+                this._drawText(page, text, font, {
+                    x: x + 8, y: y + cardHeight * centerRatio - height / 2, cellWidth: cardWidth - 16, cellHeight: height,
+                    initialFontSize: size, minFontSize: 5, color, isVertical: false
+                });
+            };
+            line(this.options.title || '', fonts.formalFont, unit * 1.1, this.colors.red, 0.88);
+            line(item.name, fonts.mainFont, Math.min(this.styles.name.fontSize * 1.6, unit * 2.6), this.styles.name.color, 0.64);
+            line(`${this.options.giftLabel}  ${item.amountText}`, fonts.amountFont, unit * 1.2, this.styles.amount.color, 0.42);
+            line(`${String.fromCharCode(0x00A5)}${item.amount}  ${item.type || ''}`, fonts.formalFont, unit * 0.9, black, 0.28);
+            line(`${this.options.subtitle || ''}  No.${startNumber + i}`, fonts.formalFont, unit * 0.7, black, 0.1);
+        });
+    }
+
+    /**
+     * 总计页：左侧按送礼方式汇总；记录分属多个分组时，右侧并排列出分组（及归属方）小计
+     */
     async _addSummaryAppendix(pdfDoc, fonts, processedData) {
         if (!processedData || Object.keys(processedData.summary).length === 0) return;
 
@@ -271,69 +606,43 @@ class GiftRegistryPDF {
         page.drawText(title, { x: (pageWidth - titleWidth) / 2, y: pageHeight - margin.top, size: 28, font: mainFont, color: this.colors.red });
 
         const tableTopY = pageHeight - margin.top - 40;
-        const summaryData = Object.entries(processedData.summary).map(([type, values]) => ({
-            method: type, count: `${values.count} 人`, amount: this._formatRMB(values.total)
-        }));
+        const summaryData = Object.entries(processedData.summary).map(([type, values]) => [type, `${values.count} 人`, this._formatRMB(values.total)]);
 
         const tableData = [...summaryData];
         const partTotalItems = processedData.totalItems;
         const partTotalAmount = processedData.grandTotal;
 
         if (this.options.partIndex && this.options.totalParts) {
-            tableData.push({ method: "本部分总计", count: `${partTotalItems} 人`, amount: this._formatRMB(partTotalAmount) });
-            tableData.push({ method: "事项总金额", count: `${this.options.grandTotalGivers || 0} 人`, amount: this._formatRMB(this.options.grandTotalAmount) });
+            tableData.push(["本部分总计", `${partTotalItems} 人`, this._formatRMB(partTotalAmount)]);
+            tableData.push(["事项总金额", `${this.options.grandTotalGivers || 0} 人`, this._formatRMB(this.options.grandTotalAmount)]);
         } else {
-            tableData.push({ method: "总计", count: `${partTotalItems} 人`, amount: this._formatRMB(partTotalAmount) });
+            tableData.push(["总计", `${partTotalItems} 人`, this._formatRMB(partTotalAmount)]);
+        }
+
+        const groupData = processedData.groupSummary.map(({ name, count, total }) => [name, `${count} 人`, this._formatRMB(total)]);
+        if (groupData.length > 0 && processedData.sideSummary.length > 1) {
+            processedData.sideSummary.forEach(({ name, count, total }) => groupData.push([`${name}合计`, `${count} 人`, this._formatRMB(total)]));
         }
 
         const tableWidth = pageWidth - margin.left - margin.right;
-        const colWidths = [tableWidth * 0.3, tableWidth * 0.25, tableWidth * 0.45];
-        const rowHeight = 40;
+        const gap = groupData.length > 0 ? 24 : 0;
+        const tables = groupData.length > 0
+            ? [{ headers: ["送礼方式", "人数", "总金额"], rows: tableData }, { headers: ["宾客分组", "人数", "总金额"], rows: groupData }]
+            : [{ headers: ["送礼方式", "人数", "总金额"], rows: tableData }];
+        const width = (tableWidth - gap * (tables.length - 1)) / tables.length;
         const headerHeight = 30;
-
-        let cursorY = tableTopY;
-        const tableHeaders = ["送礼方式", "人数", "总金额"];
-
-        let currentX = margin.left;
-        tableHeaders.forEach((headerText, colIndex) => {
-            const textWidth = mainFont.widthOfTextAtSize(headerText, 14);
-            page.drawText(headerText, {
-                x: currentX + (colWidths[colIndex] - textWidth) / 2, y: cursorY - headerHeight / 2 - 6,
-                font: mainFont, size: 14, color: this.colors.black
+        // 分组较多时压缩行高，为下方的记账人留出空间
+        const maxRows = Math.max(...tables.map(({ rows }) => rows.length));
+        const rowHeight = Math.max(18, Math.min(40, (tableTopY - headerHeight - margin.bottom - 90) / maxRows));
+
+        let tableBottomY = tableTopY;
+        tables.forEach(({ headers, rows }, t) => {
+            const bottomY = this._drawSummaryTable(page, mainFont, {
+                x: margin.left + t * (width + gap), topY: tableTopY, width, headers, rows, headerHeight, rowHeight
             });
-            currentX += colWidths[colIndex];
+            tableBottomY = Math.min(tableBottomY, bottomY);
         });
 
-        page.drawLine({ start: { x: margin.left, y: cursorY - headerHeight }, end: { x: margin.left + tableWidth, y: cursorY - headerHeight }, color: this.colors.red, thickness: 0.8 });
-        cursorY -= headerHeight;
-
-        tableData.forEach((rowData) => {
-            const cells = [rowData.method, rowData.count, rowData.amount];
-            currentX = margin.left;
-            cells.forEach((cellText, colIndex) => {
-                const textWidth = mainFont.widthOfTextAtSize(cellText, 14);
-                page.drawText(cellText, {
-                    x: currentX + (colWidths[colIndex] - textWidth) / 2, y: cursorY - rowHeight / 2 - 7,
-                    font: mainFont, size: 14, color: this.colors.black
-                });
-                currentX += colWidths[colIndex];
-            });
-            page.drawLine({ start: { x: margin.left, y: cursorY - rowHeight }, end: { x: margin.left + tableWidth, y: cursorY - rowHeight }, color: this.colors.red, thickness: 0.8 });
-            cursorY -= rowHeight;
-        });
-
-        const tableBottomY = cursorY;
-        page.drawLine({ start: { x: margin.left, y: tableTopY }, end: { x: margin.left + tableWidth, y: tableTopY }, color: this.colors.red, thickness: 1.2 });
-        page.drawLine({ start: { x: margin.left, y: tableBottomY }, end: { x: margin.left + tableWidth, y: tableBottomY }, color: this.colors.red, thickness: 1.2 });
-        page.drawLine({ start: { x: margin.left, y: tableTopY }, end: { x: margin.left, y: tableBottomY }, color: this.colors.red, thickness: 1.2 });
-        page.drawLine({ start: { x: margin.left + tableWidth, y: tableTopY }, end: { x: margin.left + tableWidth, y: tableBottomY }, color: this.colors.red, thickness: 1.2 });
-
-        let lineX = margin.left;
-        for (let i = 0; i < colWidths.length - 1; i++) {
-            lineX += colWidths[i];
-            page.drawLine({ start: { x: lineX, y: tableTopY }, end: { x: lineX, y: tableBottomY }, color: this.colors.red, thickness: 0.8 });
-        }
-
         if (this.options.recorder || this.options.subtitle) {
             const recorderText = this.options.recorder ? `记账人:  ${this.options.recorder}` : '';
             const recorderTextWidth = mainFont.widthOfTextAtSize(recorderText, 18);
@@ -352,6 +661,55 @@ class GiftRegistryPDF {
                 page.drawText(this.options.subtitle, { x: centeredX, y: cursorY, font: mainFont, size: 18, color: this.colors.black });
             }
         }
+
+        if (this.options.auditHead) {
+            const auditSize = 9;
+            const auditWidth = mainFont.widthOfTextAtSize(this.options.auditHead, auditSize);
+            page.drawText(this.options.auditHead, { x: (pageWidth - auditWidth) / 2, y: margin.bottom, font: mainFont, size: auditSize, color: this.colors.black });
+        }
+    }
+
+    /**
+     * 绘制总计页中的一张三列表格，返回表格底边的 y 坐标
+     */
+    _drawSummaryTable(page, font, { x, topY, width, headers, rows, headerHeight, rowHeight }) {
+        const colWidths = [width * 0.3, width * 0.25, width * 0.45];
+        const fontSize = Math.min(14, rowHeight * 0.45);
+        const drawRow = (cells, y, height, size) => {
+            let cellX = x;
+            cells.forEach((cellText, colIndex) => {
+                const textWidth = this._textWidth(cellText, font, size);
+                this._drawRuns(page, cellText, font, {
+                    x: cellX + (colWidths[colIndex] - textWidth) / 2, y: y - height / 2 - size / 2,
+                    size, color: this.colors.black
+                });
+                cellX += colWidths[colIndex];
+            });
+        };
+
+        let cursorY = topY;
+        drawRow(headers, cursorY, headerHeight, 14);
+        page.drawLine({ start: { x, y: cursorY - headerHeight }, end: { x: x + width, y: cursorY - headerHeight }, color: this.colors.red, thickness: 0.8 });
+        cursorY -= headerHeight;
+
+        rows.forEach((cells) => {
+            drawRow(cells, cursorY, rowHeight, fontSize);
+            page.drawLine({ start: { x, y: cursorY - rowHeight }, end: { x: x + width, y: cursorY - rowHeight }, color: this.colors.red, thickness: 0.8 });
+            cursorY -= rowHeight;
+        });
+
+        const bottomY = cursorY;
+        page.drawLine({ start: { x, y: topY }, end: { x: x + width, y: topY }, color: this.colors.red, thickness: 1.2 });
+        page.drawLine({ start: { x, y: bottomY }, end: { x: x + width, y: bottomY }, color: this.colors.red, thickness: 1.2 });
+        page.drawLine({ start: { x, y: topY }, end: { x, y: bottomY }, color: this.colors.red, thickness: 1.2 });
+        page.drawLine({ start: { x: x + width, y: topY }, end: { x: x + width, y: bottomY }, color: this.colors.red, thickness: 1.2 });
+
+        let lineX = x;
+        for (let i = 0; i < colWidths.length - 1; i++) {
+            lineX += colWidths[i];
+            page.drawLine({ start: { x: lineX, y: topY }, end: { x: lineX, y: bottomY }, color: this.colors.red, thickness: 0.8 });
+        }
+        return bottomY;
     }
 
     async _addRemarkAppendix(pdfDoc, fonts, processedData) {
@@ -361,7 +719,9 @@ class GiftRegistryPDF {
         const mainFont = fonts.formalFont;
         const [pageWidth, pageHeight] = this.pageSize;
         const margin = this.appendixMargins;
-        const colWidths = [120, 160, pageWidth - margin.left - margin.right - 280];
+        const contentWidth = pageWidth - margin.left - margin.right;
+        const colWidths = [Math.min(120, contentWidth * 0.2), Math.min(160, contentWidth * 0.25)];
+        colWidths.push(contentWidth - colWidths[0] - colWidths[1]);
         const tableWidth = colWidths.reduce((a, b) => a + b);
 
         let page = pdfDoc.addPage(this.pageSize);
@@ -421,7 +781,7 @@ class GiftRegistryPDF {
             const words = paragraph.match(/[\w']+|[^\s\w]/g) || [];
             for (const word of words) {
                 const testLine = currentLine ? `${currentLine} ${word}` : word;
-                if (font.widthOfTextAtSize(testLine, fontSize) <= maxWidth) {
+                if (this._textWidth(testLine, font, fontSize) <= maxWidth) {
                     currentLine = testLine;
                 } else {
                     lines.push(currentLine);
@@ -437,7 +797,11 @@ class GiftRegistryPDF {
     async _drawImageOnPage(pdfDoc, page, imageBytes) {
         if (!imageBytes) return;
         try {
-            const image = await pdfDoc.embedJpg(imageBytes).catch(() => pdfDoc.embedPng(imageBytes));
+            // 同一图片在文档内只嵌入一次，各页引用同一对象（背景图逐页嵌入会让 PDF 成倍增大）
+            if (!this._embeddedImages || this._embeddedImages.doc !== pdfDoc) this._embeddedImages = { doc: pdfDoc, images: new Map() };
+            const { images } = this._embeddedImages;
+            if (!images.has(imageBytes)) images.set(imageBytes, pdfDoc.embedJpg(imageBytes).catch(() => pdfDoc.embedPng(imageBytes)));
+            const image = await images.get(imageBytes);
             const { width, height } = page.getSize();
             page.drawImage(image, { x: 0, y: 0, width, height });
         } catch (error) { console.error("绘制图片失败:", error); }
@@ -447,7 +811,8 @@ class GiftRegistryPDF {
         const { width } = page.getSize();
         const { left, right } = this.footerMargins;
         const y = 17;
-        const size = this.styles?.pageInfo?.fontSize || 10;
+        // 窄页面（如 A5 纵向）缩小页脚字号，避免三段文字重叠
+        const size = Math.min(this.styles?.pageInfo?.fontSize || 10, width / 70);
         if (texts.left) page.drawText(texts.left, { x: left, y, size, font, color: this.colors.black });
         if (texts.center) {
             const centerWidth = font.widthOfTextAtSize(texts.center, size);
@@ -464,15 +829,15 @@ class GiftRegistryPDF {
 
         if (!isVertical) {
             let fontSize = initialFontSize;
-            while (fontSize >= minFontSize && font.widthOfTextAtSize(text, fontSize) > cellWidth * 0.9) {
+            while (fontSize >= minFontSize && this._textWidth(text, font, fontSize) > cellWidth * 0.9) {
                 fontSize -= 0.5;
             }
-            const textWidth = font.widthOfTextAtSize(text, fontSize);
+            const textWidth = this._textWidth(text, font, fontSize);
             const textHeight = font.heightAtSize(fontSize);
-            page.drawText(text, {
+            this._drawRuns(page, text, font, {
                 x: x + (cellWidth - textWidth) / 2,
                 y: y + (cellHeight - textHeight) / 2 + textHeight / 10,
-                size: fontSize, font, color
+                size: fontSize, color
             });
             return;
         }
@@ -548,11 +913,12 @@ class GiftRegistryPDF {
             const colHeight = calcHeight(colChars.length, finalFontSize);
             const colStartY = blockBottom + (blockHeight - colHeight) / 2 + (colHeight - finalFontSize) + letterSpacing / 2;
             colChars.forEach((char, r) => {
-                const charWidth = font.widthOfTextAtSize(char, finalFontSize);
+                const charFont = this._fontForChar(char, font);
+                const charWidth = charFont.widthOfTextAtSize(char, finalFontSize);
                 page.drawText(char, {
                     x: blockLeft + c * (finalFontSize + letterSpacing) + (finalFontSize - charWidth) / 2,
                     y: colStartY - r * (finalFontSize + letterSpacing),
-                    size: finalFontSize, font, color
+                    size: finalFontSize, font: charFont, color
                 });
             });
         }
@@ -576,12 +942,12 @@ class GiftRegistryPDF {
         for (let i = 0; i < cells.length; i++) {
             const cellWidth = colWidths[i]; const fontSize = 11;
             if (i < 2) {
-                const textWidth = font.widthOfTextAtSize(cells[i], fontSize);
-                page.drawText(cells[i], { x: x + (cellWidth - textWidth) / 2, y: y - rowHeight + (rowHeight - fontSize) / 2, size: fontSize, font, color: this.colors.black });
+                const textWidth = this._textWidth(cells[i], font, fontSize);
+                this._drawRuns(page, cells[i], font, { x: x + (cellWidth - textWidth) / 2, y: y - rowHeight + (rowHeight - fontSize) / 2, size: fontSize, color: this.colors.black });
             } else {
                 const lines = cells[i]; const lineHeight = fontSize + 4; const totalTextHeight = lines.length * lineHeight;
                 let offsetY = y - rowHeight + (rowHeight - totalTextHeight) / 2 + totalTextHeight - fontSize;
-                lines.forEach(lineText => { page.drawText(lineText.trim(), { x: x + 5, y: offsetY, size: fontSize, font, color: this.colors.black }); offsetY -= lineHeight; });
+                lines.forEach(lineText => { this._drawRuns(page, lineText.trim(), font, { x: x + 5, y: offsetY, size: fontSize, color: this.colors.black }); offsetY -= lineHeight; });
             }
             if (i < colWidths.length - 1) { page.drawLine({ start: { x: x + cellWidth, y }, end: { x: x + cellWidth, y: y - rowHeight }, color: this.colors.red, thickness: 0.8 }); }
             x += cellWidth;
@@ -594,60 +960,189 @@ class GiftRegistryPDF {
         return new Intl.NumberFormat("zh-CN", { style: "currency", currency: "CNY" }).format(num || 0);
     }
 
-    async generate(data, newOptions = null) {
-        if (!Array.isArray(data) || data.length === 0) {
-            throw new Error('数据必须是一个非空数组。');
-        }
+    /**
+     * 生成点钞对账报告（A4 横向，内容较多时自动换页）
+     * @param {Object} report - { title, subtitle, sections: [{ heading, headers, rows }], lines }
+     */
+    async generateSettlementReport(report) {
+        const { PDFDocument } = this.pdfLib;
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.registerFontkit(fontkit);
 
-        if (newOptions) {
-            Object.assign(this.options, newOptions);
-            this.resources.loaded = false;
-            this._applyStyleConfig();
-        }
+        const fontBytes = new Uint8Array(await (await fetch(this.options.formalFontUrl)).arrayBuffer());
+        const font = await pdfDoc.embedFont(fontBytes, { subset: true });
+        const [pageWidth, pageHeight] = this.pageSize;
+        const margin = this.appendixMargins;
+        const tableWidth = pageWidth - margin.left - margin.right;
+        const rowHeight = 24;
+
+        let page = pdfDoc.addPage(this.pageSize);
+        let cursorY = pageHeight - margin.top;
+        const ensureSpace = (height) => {
+            if (cursorY - height >= margin.bottom) return;
+            page = pdfDoc.addPage(this.pageSize);
+            cursorY = pageHeight - margin.top;
+        };
+        const drawCentered = (text, size, color, x = margin.left, width = tableWidth) => {
+            const textWidth = font.widthOfTextAtSize(text, size);
+            page.drawText(text, { x: x + (width - textWidth) / 2, y: cursorY, size, font, color });
+        };
+
+        drawCentered(report.title, 24, this.colors.red);
+        cursorY -= 30;
+        drawCentered(report.subtitle, 12, report.modified ? this.colors.red : this.colors.black);
+        cursorY -= 30;
+
+        report.sections.forEach((section) => {
+            ensureSpace(rowHeight * 3);
+            page.drawText(section.heading, { x: margin.left, y: cursorY, size: 16, font, color: this.colors.red });
+            cursorY -= 12;
+
+            const colWidth = tableWidth / section.headers.length;
+            [section.headers, ...section.rows].forEach((row, rowIndex) => {
+                ensureSpace(rowHeight);
+                page.drawLine({ start: { x: margin.left, y: cursorY }, end: { x: margin.left + tableWidth, y: cursorY }, color: this.colors.red, thickness: rowIndex === 0 ? 1.2 : 0.8 });
+                row.forEach((cell, colIndex) => {
+                    const size = 12;
+                    const text = String(cell);
+                    const textWidth = font.widthOfTextAtSize(text, size);
+                    const isDiff = /短款|长款/.test(text);
+                    page.drawText(text, {
+                        x: margin.left + colIndex * colWidth + (colWidth - textWidth) / 2, y: cursorY - rowHeight / 2 - 4,
+                        size, font, color: rowIndex === 0 || isDiff ? this.colors.red : this.colors.black
+                    });
+                });
+                cursorY -= rowHeight;
+            });
+            page.drawLine({ start: { x: margin.left, y: cursorY }, end: { x: margin.left + tableWidth, y: cursorY }, color: this.colors.red, thickness: 1.2 });
+            cursorY -= 30;
+        });
+
+        report.lines.forEach((line) => {
+            ensureSpace(16);
+            page.drawText(line, { x: margin.left, y: cursorY, size: 11, font, color: this.colors.black, maxWidth: tableWidth });
+            cursorY -= 16;
+        });
+
+        return pdfDoc.save();
+    }
+
+    /**
+     * 生成回礼清单（A4 横向，每页重复表头，末列留空供勾选）
+     * @param {Object} list - { title, subtitle, columns: [{ header, width }], rows: string[][] }，width 为相对宽度
+     */
+    async generateThankYouList(list) {
+        const { PDFDocument } = this.pdfLib;
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.registerFontkit(fontkit);
 
         await this._loadResources();
+        const font = await pdfDoc.embedFont(this.resources.formalFontBytes, { subset: true });
+        await this._embedFallbackFonts(pdfDoc, font);
+        const [pageWidth, pageHeight] = this.pageSize;
+        const margin = this.appendixMargins;
+        const tableWidth = pageWidth - margin.left - margin.right;
+        const totalWeight = list.columns.reduce((sum, { width }) => sum + width, 0);
+        const colWidths = list.columns.map(({ width }) => (width / totalWeight) * tableWidth);
+        const rowHeight = 22;
+        const fontSize = 11;
+
+        // 超出单元格宽度的文字截断并补省略号
+        const fitText = (text, width) => {
+            let chars = Array.from(String(text ?? ''));
+            if (this._textWidth(chars.join(''), font, fontSize) <= width) return chars.join('');
+            while (chars.length > 0 && this._textWidth(chars.join('') + '…', font, fontSize) > width) chars.pop();
+            return chars.join('') + '…';
+        };
+        const drawRow = (page, cells, y, color, thickness) => {
+            let x = margin.left;
+            cells.forEach((cell, i) => {
+                const text = fitText(cell, colWidths[i] - 8);
+                const textWidth = this._textWidth(text, font, fontSize);
+                this._drawRuns(page, text, font, { x: x + (colWidths[i] - textWidth) / 2, y: y - rowHeight / 2 - 4, size: fontSize, color });
+                if (i < cells.length - 1) page.drawLine({ start: { x: x + colWidths[i], y }, end: { x: x + colWidths[i], y: y - rowHeight }, color: this.colors.red, thickness: 0.6 });
+                x += colWidths[i];
+            });
+            page.drawLine({ start: { x: margin.left, y: y - rowHeight }, end: { x: margin.left + tableWidth, y: y - rowHeight }, color: this.colors.red, thickness });
+        };
 
+        let page = null;
+        let cursorY = 0;
+        const startPage = (isFirst) => {
+            page = pdfDoc.addPage(this.pageSize);
+            cursorY = pageHeight - margin.top;
+            if (isFirst) {
+                const titleWidth = font.widthOfTextAtSize(list.title, 22);
+                page.drawText(list.title, { x: (pageWidth - titleWidth) / 2, y: cursorY, size: 22, font, color: this.colors.red });
+                cursorY -= 24;
+                const subtitleWidth = font.widthOfTextAtSize(list.subtitle, 11);
+                page.drawText(list.subtitle, { x: (pageWidth - subtitleWidth) / 2, y: cursorY, size: 11, font, color: this.colors.black });
+                cursorY -= 20;
+            }
+            page.drawLine({ start: { x: margin.left, y: cursorY }, end: { x: margin.left + tableWidth, y: cursorY }, color: this.colors.red, thickness: 1.2 });
+            drawRow(page, list.columns.map(({ header }) => header), cursorY, this.colors.red, 1.2);
+            cursorY -= rowHeight;
+        };
+
+        startPage(true);
+        list.rows.forEach((row) => {
+            if (cursorY - rowHeight < margin.bottom) startPage(false);
+            drawRow(page, row, cursorY, this.colors.black, 0.6);
+            cursorY -= rowHeight;
+        });
+
+        return pdfDoc.save();
+    }
+
+    /**
+     * 新建文档并嵌入字体；所有字体都按子集嵌入，只包含实际用到的字形
+     * @returns {Promise<{ pdfDoc: PDFDocument, fonts: Object }>}
+     */
+    async _createDocument() {
         const { PDFDocument } = this.pdfLib;
         const pdfDoc = await PDFDocument.create();
         pdfDoc.registerFontkit(fontkit);
 
         const fonts = {
-            mainFont: await pdfDoc.embedFont(this.resources.fontBytes, { subset: true }),
+            mainFont: this.resources.fontBytes ? await pdfDoc.embedFont(this.resources.fontBytes, { subset: true }) : null,
             giftLabelFont: this.resources.giftLabelFontBytes ? await pdfDoc.embedFont(this.resources.giftLabelFontBytes, { subset: true }) : null,
             formalFont: this.resources.formalFontBytes ? await pdfDoc.embedFont(this.resources.formalFontBytes, { subset: true }) : null,
             amountFont: this.resources.amountFontBytes ? await pdfDoc.embedFont(this.resources.amountFontBytes, { subset: true }) : null,
             coverFont: this.resources.coverFontBytes ? await pdfDoc.embedFont(this.resources.coverFontBytes, { subset: true }) : null
         };
+        fonts.mainFont = fonts.mainFont || fonts.formalFont;
+        if (!fonts.mainFont) throw new Error('礼簿字体加载失败。');
         fonts.giftLabelFont = fonts.giftLabelFont || fonts.mainFont;
         fonts.formalFont = fonts.formalFont || fonts.mainFont;
         fonts.amountFont = fonts.amountFont || fonts.mainFont;
         fonts.coverFont = fonts.coverFont || fonts.formalFont;
+        await this._embedFallbackFonts(pdfDoc, fonts.formalFont);
+        return { pdfDoc, fonts };
+    }
 
-        const processedData = this._processData(data);
-
-        if (this.options.printCover && this.resources.coverImageBytes) {
-            const coverPage = pdfDoc.addPage(this.pageSize);
-            await this._drawImageOnPage(pdfDoc, coverPage, this.resources.coverImageBytes);
-            const coverFont = fonts.coverFont || fonts.formalFont;
-            const coverStyle = this.styles?.coverText || {};
-            const coverColor = coverStyle.color || this.colors.lightOrange;
-            const coverFontSize = coverStyle.fontSize || 26;
-            if (this.options.showCoverTitle && this.options.title) {
-                const titleWidth = coverFont.widthOfTextAtSize(this.options.title, coverFontSize);
-                coverPage.drawText(this.options.title, { x: (this.pageSize[0] - titleWidth) / 2, y: 115, size: coverFontSize, font: coverFont, color: coverColor });
-            }
-            if (this.options.showCoverTitle && this.options.subtitle) {
-                const subtitleWidth = coverFont.widthOfTextAtSize(this.options.subtitle, coverFontSize);
-                coverPage.drawText(this.options.subtitle, { x: (this.pageSize[0] - subtitleWidth) / 2, y: 80, size: coverFontSize, font: coverFont, color: coverColor });
-            }
-            if (this.options.partIndex && this.options.showCoverTitle) {
-                const partText = 'P' + this.options.partIndex;
-                coverPage.drawText(partText, { x: 90, y: this.pageSize[1] - 120, font: coverFont, size: coverFontSize + 20, color: coverColor, opacity: 0.9 });
-            }
+    async _addCoverPage(pdfDoc, fonts) {
+        if (!this.options.printCover || !this.resources.coverImageBytes) return;
+        const coverPage = pdfDoc.addPage(this.pageSize);
+        await this._drawImageOnPage(pdfDoc, coverPage, this.resources.coverImageBytes);
+        const coverFont = fonts.coverFont || fonts.formalFont;
+        const coverStyle = this.styles?.coverText || {};
+        const coverColor = coverStyle.color || this.colors.lightOrange;
+        const coverFontSize = coverStyle.fontSize || 26;
+        if (this.options.showCoverTitle && this.options.title) {
+            const titleWidth = coverFont.widthOfTextAtSize(this.options.title, coverFontSize);
+            coverPage.drawText(this.options.title, { x: (this.pageSize[0] - titleWidth) / 2, y: 115, size: coverFontSize, font: coverFont, color: coverColor });
         }
+        if (this.options.showCoverTitle && this.options.subtitle) {
+            const subtitleWidth = coverFont.widthOfTextAtSize(this.options.subtitle, coverFontSize);
+            coverPage.drawText(this.options.subtitle, { x: (this.pageSize[0] - subtitleWidth) / 2, y: 80, size: coverFontSize, font: coverFont, color: coverColor });
+        }
+        if (this.options.partIndex && this.options.showCoverTitle) {
+            const partText = 'P' + this.options.partIndex;
+            coverPage.drawText(partText, { x: 90, y: this.pageSize[1] - 120, font: coverFont, size: coverFontSize + 20, color: coverColor, opacity: 0.9 });
+        }
+    }
 
-        await this._addGiftsPages(pdfDoc, fonts, processedData);
-
+    async _addClosingPages(pdfDoc, fonts, processedData) {
         if (this.options.printAppendix !== false) {
             await this._addRemarkAppendix(pdfDoc, fonts, processedData);
         }
@@ -660,7 +1155,105 @@ class GiftRegistryPDF {
             const backPage = pdfDoc.addPage(this.pageSize);
             await this._drawImageOnPage(pdfDoc, backPage, this.resources.backCoverImageBytes);
         }
+    }
+
+    async generate(data, newOptions = null) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('数据必须是一个非空数组。');
+        }
+
+        if (newOptions) {
+            Object.assign(this.options, newOptions);
+            this.resources.loaded = false;
+            this._applyPageConfig();
+            this._applyStyleConfig();
+        }
+
+        await this._loadResources();
+
+        const { pdfDoc, fonts } = await this._createDocument();
+        const processedData = this._processData(data);
+
+        await this._addCoverPage(pdfDoc, fonts);
+        await this._addGiftsPages(pdfDoc, fonts, processedData);
+        await this._addClosingPages(pdfDoc, fonts, processedData);
 
         return pdfDoc.save();
     }
-}
\ No newline at end of file
+
+    /**
+     * 分段生成并合并为一个完整 PDF：礼簿正文每 partSize 条单独排版成一段，再用 copyPages 依次并入。
+     * 页码、备注位置与总计按全部数据计算，与 generate() 的结果一致；供 Web Worker 生成几千条的大礼簿
+     * @param {Array<Object>} data - 与 generate() 相同
+     * @param {Object} [progress] - { partSize, onProgress(done, total) }，done/total 为已完成/总页数
+     * @returns {Promise<Uint8Array>}
+     */
+    async generateMerged(data, { partSize = 1008, onProgress = null } = {}) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('数据必须是一个非空数组。');
+        }
+        await this._loadResources();
+
+        const { PDFDocument } = this.pdfLib;
+        const processedData = this._processData(data);
+        const { mainContentTotalPages } = processedData;
+        const pagesPerPart = Math.max(1, Math.floor(partSize / this.options.itemsPerPage));
+        let donePages = 0;
+        const onPage = () => onProgress?.(++donePages, mainContentTotalPages);
+
+        const merged = await PDFDocument.create();
+        // 每段独立成文档后并入，段内字体子集与图片各嵌入一次
+        const appendPart = async (build) => {
+            const { pdfDoc, fonts } = await this._createDocument();
+            await build(pdfDoc, fonts);
+            const part = await PDFDocument.load(await pdfDoc.save());
+            const pages = await merged.copyPages(part, part.getPageIndices());
+            pages.forEach((page) => merged.addPage(page));
+        };
+
+        for (let pageOffset = 0; pageOffset < mainContentTotalPages; pageOffset += pagesPerPart) {
+            const pageCount = Math.min(pagesPerPart, mainContentTotalPages - pageOffset);
+            await appendPart(async (pdfDoc, fonts) => {
+                if (pageOffset === 0) await this._addCoverPage(pdfDoc, fonts);
+                await this._addGiftsPages(pdfDoc, fonts, { ...processedData, pageOffset, pageCount, onPage });
+                if (pageOffset + pageCount >= mainContentTotalPages) await this._addClosingPages(pdfDoc, fonts, processedData);
+            });
+        }
+
+        return merged.save();
+    }
+}
+
+// 内置版式
+GiftRegistryPDF.registerLayout('traditional', {
+    label: '传统竖排', orientation: 'landscape', defaultItemsPerPage: 12, minItemsPerPage: 6, maxItemsPerPage: 24,
+    drawPage: (generator, ...args) => generator._drawTraditionalPage(...args)
+});
+GiftRegistryPDF.registerLayout('table', {
+    label: '现代表格', orientation: 'portrait', defaultItemsPerPage: 20, minItemsPerPage: 8, maxItemsPerPage: 30,
+    drawPage: (generator, page, fonts, items, context) => generator._drawTablePage(page, fonts, items, context, {
+        groups: 1,
+        columns: [
+            { header: '序号', width: 1, cell: (item, number) => String(number) },
+            { header: '姓名', width: 3, font: 'mainFont', cell: (item) => item.name },
+            { header: '收款方式', width: 2, cell: (item) => item.type || '' },
+            { header: '大写金额', width: 4, font: 'amountFont', cell: (item) => item.amountText },
+            { header: '金额', width: 2, cell: (item) => String.fromCharCode(0x00A5) + item.amount }
+        ]
+    })
+});
+GiftRegistryPDF.registerLayout('dense', {
+    label: '密集归档', orientation: 'portrait', defaultItemsPerPage: 36, minItemsPerPage: 20, maxItemsPerPage: 60,
+    drawPage: (generator, page, fonts, items, context) => generator._drawTablePage(page, fonts, items, context, {
+        groups: 2,
+        columns: [
+            { header: '序号', width: 1, cell: (item, number) => String(number) },
+            { header: '姓名', width: 2.5, cell: (item) => item.name },
+            { header: '金额', width: 2, cell: (item) => String.fromCharCode(0x00A5) + item.amount }
+        ]
+    })
+});
+GiftRegistryPDF.registerLayout('card', {
+    label: '单人卡片', orientation: 'landscape', defaultItemsPerPage: 4, minItemsPerPage: 1, maxItemsPerPage: 9,
+    drawPage: (generator, ...args) => generator._drawCardPage(...args)
+});
@@ -0,0 +1,88 @@
+/**
+ * 离线缓存 Service Worker
+ * 预缓存页面与 static/ 下的全部资源（含 GiftRegistryPDF 使用的字体），断网时也能打开礼簿、生成 PDF。
+ *
+ * 更新流程：新版本安装后停在 waiting，由页面在空闲时发送 { type: "SKIP_WAITING" } 再激活，
+ * 激活后删除旧缓存。修改了下列任一文件都要同步调整 CACHE_VERSION，否则已安装的客户端收不到新文件。
+ */
+"use strict";
+
+const CACHE_VERSION = "giftbook-v4";
+
+const PRECACHE_URLS = [
+  "./index.html",
+  "./guest-screen.html",
+  "./manifest.webmanifest",
+  "./static/icon.svg",
+  "./static/icon-192.png",
+  "./static/icon-512.png",
+  "./static/tailwindcss.js",
+  "./static/xlsx.full.min.js",
+  "./static/crypto-js.min.js",
+  "./static/gridjs.umd.js",
+  "./static/pdf-lib.min.js",
+  "./static/fontkit.umd.min.js",
+  "./static/GiftListPDFGenerator.js",
+  "./static/GiftListPDF.worker.js",
+  "./static/pell.min.js",
+  "./static/mermaid.min.css",
+  "./static/pell.min.css",
+  "./static/remixicon.css",
+  "./static/remixicon.woff2",
+  "./static/remixicon.woff",
+  "./static/NotoSansSCMedium-mini.ttf",
+  "./static/SourceHanSerifCN-Heavy.ttf",
+  "./static/bg.jpg",
+  "./static/bg.webp",
+  "./static/cover1.jpg",
+  "./static/cover2.jpg",
+  "./static/addme.jpg",
+  "./static/support.jpg",
+];
+
+// 可选资源：部分发布包不带手写字体，缺失时 PDF 回退到其他字体，不应让整个安装失败
+const OPTIONAL_URLS = ["./static/MaShanZheng-Regular.ttf"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION).then(async (cache) => {
+      // cache: "reload" 绕过 HTTP 缓存，保证取到与本版本一致的文件
+      await cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: "reload" })));
+      await Promise.all(OPTIONAL_URLS.map((url) => cache.add(new Request(url, { cache: "reload" })).catch(() => {})));
+    })
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith("giftbook-") && key !== CACHE_VERSION).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // 页面优先取缓存，保证断网可开；带查询参数（如副屏的 ?relay=）时忽略参数匹配
+    event.respondWith(
+      caches
+        .match(request, { ignoreSearch: true })
+        .then((cached) => cached || fetch(request))
+        .catch(() => caches.match("./index.html"))
+    );
+    return;
+  }
+
+  // remixicon.css 引用字体时带 ?t= 版本参数，同样忽略参数匹配；未预缓存的请求（如 /relay-info）直接走网络
+  event.respondWith(caches.match(request, { ignoreSearch: true }).then((cached) => cached || fetch(request)));
+});
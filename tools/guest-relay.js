@@ -0,0 +1,352 @@
+/**
+ * 局域网副屏中继
+ * 用法：node tools/guest-relay.js [端口，默认 8787]
+ *
+ * - 以 HTTP 提供本项目的静态文件，大厅里的电视/平板用浏览器打开 guest-screen.html 即可，无需另外拷贝页面
+ * - /relay 为 WebSocket 端点：主窗口（host）与副屏（screen）按房间号配对，消息原样转发给同一房间的另一方
+ * - 任一方上线或离线时向同房间的另一方发送 relay_peer，两端据此显示连接状态并在重连后重新同步
+ * - 主窗口加入时须带房间密钥：房间由第一个主窗口的密钥绑定（中继运行期间有效），之后只有相同密钥才能以主窗口身份加入；
+ *   副屏只能回发就绪与设置消息，不能冒充主窗口推送数据
+ * 仅依赖 Node 内置模块；消息内容与 window.postMessage 时相同（JSON 文本）
+ */
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || "8787", 10);
+const ROOT = path.resolve(__dirname, "..");
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_PAYLOAD = 64 * 1024 * 1024; // 轮播照片以 dataURL 传输，留足余量
+const PING_INTERVAL = 30000;
+const MAX_ROOMS = 200; // 绑定密钥的房间数上限，防止被大量占用
+// 副屏可以发给主窗口的消息类型
+const SCREEN_MESSAGE_TYPES = new Set(["guest_screen_ready", "guest_screen_settings"]);
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+/** 房间号 -> Set<Client> */
+const rooms = new Map();
+/** 房间号 -> 主窗口密钥的 SHA-256 */
+const roomSecrets = new Map();
+
+/**
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+/**
+ * 本机的局域网 IPv4 地址
+ * @returns {string[]}
+ */
+function getLanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((item) => item && item.family === "IPv4" && !item.internal)
+    .map((item) => item.address);
+}
+
+/**
+ * 解析请求路径并解码，格式错误（如 //a:b 或不完整的 %XX）时返回 null
+ * @param {string} requestUrl
+ * @returns {string|null}
+ */
+function parsePathname(requestUrl) {
+  try {
+    return decodeURIComponent(new URL(requestUrl, "http://localhost").pathname);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 静态文件与 /relay-info
+ */
+function handleRequest(req, res) {
+  const pathname = parsePathname(req.url);
+  if (pathname === null) {
+    res.writeHead(400);
+    res.end();
+    return;
+  }
+  if (pathname === "/relay-info") {
+    res.writeHead(200, { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" });
+    res.end(JSON.stringify({ addresses: getLanAddresses(), port: PORT }));
+    return;
+  }
+
+  const relativePath = pathname === "/" ? "/index.html" : pathname;
+  const filePath = path.resolve(ROOT, "." + relativePath);
+  // 只允许访问项目目录内的文件，且不暴露隐藏文件（如 .git）
+  if (!filePath.startsWith(ROOT + path.sep) || relativePath.split("/").some((part) => part.startsWith("."))) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.stat(filePath, (statError, stats) => {
+    if (statError || !stats.isFile()) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream", "Content-Length": stats.size });
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+/**
+ * 编码服务端发出的帧（不加掩码）
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * 一个 WebSocket 连接
+ */
+class Client {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0; // 分片消息的累计长度，整条消息同样受 MAX_PAYLOAD 限制
+    this.closing = false;
+    this.room = null;
+    this.role = null;
+    this.isAlive = true;
+
+    socket.on("data", (chunk) => this.onData(chunk));
+    // HTTP 服务的 socket 允许半关闭，对方断开时需主动结束
+    socket.on("end", () => socket.end());
+    socket.on("close", () => this.onClose());
+    socket.on("error", () => socket.destroy());
+  }
+
+  send(message) {
+    if (this.socket.writable) this.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  }
+
+  close(code = 1000) {
+    // 发出关闭帧后不再解析对方的数据，也不再缓存
+    this.closing = true;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    if (this.socket.writable) this.socket.end(encodeFrame(0x8, payload));
+    else this.socket.destroy();
+  }
+
+  /**
+   * 解析客户端帧（客户端发出的帧必须带掩码），支持分片
+   */
+  onData(chunk) {
+    if (this.closing) return;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!masked || length > MAX_PAYLOAD) {
+        this.close(1009);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+
+      if (opcode === 0x8) {
+        this.close();
+        return;
+      }
+      if (opcode === 0x9) {
+        this.socket.write(encodeFrame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0xa) {
+        this.isAlive = true;
+        continue;
+      }
+      if (opcode === 0x1 || opcode === 0x0) {
+        this.fragmentsSize += payload.length;
+        if (this.fragmentsSize > MAX_PAYLOAD) {
+          this.close(1009);
+          return;
+        }
+        this.fragments.push(payload);
+        if (!fin) continue;
+        const text = Buffer.concat(this.fragments).toString("utf8");
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.onMessage(text);
+      }
+    }
+  }
+
+  onMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+
+    if (message.type === "relay_join") {
+      this.join(String(message.room || ""), message.role === "host" ? "host" : "screen", String(message.secret || ""));
+      return;
+    }
+    if (!this.room) return;
+    if (this.role === "screen" && !SCREEN_MESSAGE_TYPES.has(message.type)) return;
+    // 原样转发给同房间的另一方
+    this.peers().forEach((peer) => peer.socket.write(encodeFrame(0x1, Buffer.from(text))));
+  }
+
+  join(room, role, secret) {
+    if (!room) {
+      this.close(1008);
+      return;
+    }
+    if (role === "host" && !this.authorizeHost(room, secret)) {
+      const message = secret ? "房间已被其他主窗口使用，请更换房间号。" : "缺少房间密钥，请刷新主窗口页面后重试。";
+      console.log(`[${new Date().toLocaleTimeString()}] 拒绝主窗口加入房间 ${room}：${message}`);
+      this.send({ type: "relay_error", reason: "forbidden", message });
+      this.close(1008);
+      return;
+    }
+    this.leave();
+    this.room = room;
+    this.role = role;
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(this);
+
+    this.send({ type: "relay_peer", connected: this.peers().length > 0 });
+    this.peers().forEach((peer) => peer.send({ type: "relay_peer", connected: true }));
+    console.log(`[${new Date().toLocaleTimeString()}] ${role} 加入房间 ${room}`);
+  }
+
+  /**
+   * 校验主窗口密钥；房间尚未绑定时由本次的密钥绑定
+   * @returns {boolean}
+   */
+  authorizeHost(room, secret) {
+    if (secret.length < 16) return false;
+    const hash = hashSecret(secret);
+    const bound = roomSecrets.get(room);
+    if (bound) return crypto.timingSafeEqual(bound, hash);
+    if (roomSecrets.size >= MAX_ROOMS) return false;
+    roomSecrets.set(room, hash);
+    return true;
+  }
+
+  leave() {
+    if (!this.room) return;
+    const members = rooms.get(this.room);
+    members.delete(this);
+    if (members.size === 0) rooms.delete(this.room);
+    this.peers().forEach((peer) => peer.send({ type: "relay_peer", connected: peer.peers().length > 0 }));
+    console.log(`[${new Date().toLocaleTimeString()}] ${this.role} 离开房间 ${this.room}`);
+    this.room = null;
+  }
+
+  /**
+   * 同房间内另一角色的连接
+   * @returns {Client[]}
+   */
+  peers() {
+    const members = this.room ? rooms.get(this.room) : null;
+    return members ? Array.from(members).filter((client) => client !== this && client.role !== this.role) : [];
+  }
+
+  onClose() {
+    this.leave();
+    clients.delete(this);
+  }
+}
+
+const clients = new Set();
+
+const server = http.createServer(handleRequest);
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (parsePathname(req.url) !== "/relay" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n"));
+  socket.setNoDelay(true);
+  clients.add(new Client(socket));
+});
+
+// 定时 ping，清理断网后未正常关闭的连接
+setInterval(() => {
+  clients.forEach((client) => {
+    if (!client.isAlive) {
+      client.socket.destroy();
+      return;
+    }
+    client.isAlive = false;
+    if (client.socket.writable) client.socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+  });
+}, PING_INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`副屏中继已启动，端口 ${PORT}`);
+  console.log(`主窗口：http://localhost:${PORT}/index.html`);
+  getLanAddresses().forEach((address) => console.log(`局域网地址：http://${address}:${PORT}/`));
+});